@@ -0,0 +1,51 @@
+// Send a signed Stripe fixture event to the local webhook.
+// Usage: node scripts/send-stripe-event.js <event-type> <applicationId>
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const [type, applicationId] = process.argv.slice(2);
+
+if (!type || !applicationId) {
+  console.error(
+    "Usage: node scripts/send-stripe-event.js <event-type> <applicationId>"
+  );
+  process.exit(1);
+}
+
+const fixture = path.join(
+  __dirname,
+  "..",
+  "fixtures",
+  "stripe",
+  `${type}.json`
+);
+const event = JSON.parse(
+  fs.readFileSync(fixture, "utf8").replace(/APPLICATION_ID/g, applicationId)
+);
+// the webhook drops event ids it has seen, so every send gets a new one
+event.id = `evt_test_${crypto.randomBytes(12).toString("hex")}`;
+const payload = JSON.stringify(event, null, 2);
+
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+const port = process.env.PORT || 5000;
+
+fetch(`http://localhost:${port}/stripe/webhook`, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
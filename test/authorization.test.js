@@ -0,0 +1,418 @@
+// Route-by-route authorization matrix: every route registered by the server
+// is called as anonymous, student, moderator and admin, and must answer
+// 401 / 403 exactly when the caller lacks access.
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const { MongoClient, ObjectId } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.CRON_SECRET = "test-cron-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_authorization_matrix";
+process.env.EMAIL_TRANSPORT = "memory";
+
+const EMAILS = {
+  student: "student@example.com",
+  other: "other-student@example.com",
+  moderator: "moderator@example.com",
+  admin: "admin@example.com",
+};
+const CALLERS = ["anonymous", "moderator", "admin", "student"];
+
+// caller -> allowed; anything not allowed must get 401 (anonymous) or 403
+const ACCESS = {
+  public: { anonymous: true, student: true, moderator: true, admin: true },
+  authenticated: { student: true, moderator: true, admin: true },
+  reviewer: { moderator: true, admin: true },
+  admin: { admin: true },
+  // resource owned by the student; staff can't act on it either
+  owner: { student: true },
+  // the student's own profile / receipt, or an admin
+  selfOrAdmin: { student: true, admin: true },
+};
+
+let mongod;
+let client;
+let app;
+const ids = {};
+const tokens = {};
+
+// method, path, access level[, options]. ":name" in a path is replaced with
+// ids.name once the fixtures are seeded.
+const ROUTES = [
+  ["get", "/", "public"],
+
+  ["get", "/reviews?email=:studentEmail", "authenticated"],
+  ["post", "/reviews", "authenticated"],
+  ["patch", "/reviews/:review", "authenticated"],
+  ["delete", "/reviews/:deletableReview", "authenticated"],
+  ["post", "/reviews/:review/report", "authenticated"],
+  ["post", "/reviews/:review/appeal", "authenticated"],
+
+  ["get", "/applications?email=:studentEmail", "authenticated"],
+  ["post", "/applications", "authenticated"],
+  ["patch", "/applications/:application/status", "reviewer"],
+  ["patch", "/applications/:withdrawableApplication/withdraw", "owner"],
+  ["get", "/applications/:application/timeline", "authenticated"],
+  ["delete", "/applications/:deletableApplication", "owner"],
+  ["get", "/applications/:application", "authenticated"],
+
+  ["post", "/users", "public"],
+  ["get", "/users/role?email=:studentEmail", "selfOrAdmin"],
+  ["get", "/users/:studentEmail", "selfOrAdmin"],
+
+  ["get", "/admin/scholarships", "admin"],
+  ["get", "/admin/scholarships/export", "admin"],
+  ["post", "/admin/scholarships/import", "admin"],
+
+  ["get", "/dashboard/users/export", "admin"],
+  ["get", "/dashboard/users", "admin"],
+  ["patch", "/dashboard/users/:missing/role", "admin"],
+  ["delete", "/dashboard/users/:missing", "admin"],
+  ["post", "/dashboard/users/:missing/restore", "admin"],
+  ["get", "/dashboard/audit-logs", "admin"],
+  ["get", "/dashboard/roles", "admin"],
+  ["post", "/dashboard/roles", "admin"],
+  ["patch", "/dashboard/roles/missing-role", "admin"],
+  ["delete", "/dashboard/roles/missing-role", "admin"],
+  ["get", "/dashboard/analytics", "admin"],
+
+  ["get", "/moderator/applications", "reviewer"],
+  ["get", "/moderator/applications/export", "reviewer"],
+  ["patch", "/moderator/applications/bulk", "reviewer"],
+  ["patch", "/moderator/applications/:application", "reviewer"],
+  ["post", "/moderator/applications/:missing/claim", "reviewer"],
+  ["delete", "/moderator/applications/:missing/claim", "reviewer"],
+  ["post", "/moderator/applications/:missing/assign", "admin"],
+  ["get", "/dashboard/moderators/workload", "admin"],
+
+  ["get", "/moderator/reviews", "reviewer"],
+  ["get", "/moderator/reviews/queue", "reviewer"],
+  ["patch", "/moderator/reviews/:missing/moderation", "reviewer"],
+  ["patch", "/moderator/reviews/:missing/appeal", "reviewer"],
+  ["delete", "/moderator/reviews/:missing", "reviewer"],
+  ["get", "/dashboard/review-screening", "admin"],
+  ["patch", "/dashboard/review-screening", "admin"],
+
+  ["get", "/me/export", "authenticated"],
+  ["delete", "/me", "authenticated"],
+  ["get", "/me/bookmarks", "authenticated"],
+  ["post", "/me/bookmarks/:scholarship", "authenticated"],
+  ["delete", "/me/bookmarks/:scholarship", "authenticated"],
+  ["get", "/me/saved-searches", "authenticated"],
+  ["post", "/me/saved-searches", "authenticated"],
+  ["patch", "/me/saved-searches/:missing", "authenticated"],
+  ["delete", "/me/saved-searches/:missing", "authenticated"],
+  ["get", "/me/saved-searches/:missing/scholarships", "authenticated"],
+
+  ["get", "/notifications", "authenticated"],
+  ["get", "/notifications/stream", "authenticated", { stream: true }],
+  ["post", "/notifications/read-all", "authenticated"],
+  ["patch", "/notifications/:missing/read", "authenticated"],
+
+  ["post", "/jwt", "public"],
+  ["post", "/auth/refresh", "public", { status: 401 }],
+  ["post", "/auth/logout", "public"],
+  ["post", "/auth/logout-all", "authenticated"],
+
+  ["get", "/scholarships", "public"],
+  ["get", "/categories", "public"],
+  ["post", "/scholarships", "admin"],
+  ["patch", "/scholarships/:scholarship", "admin"],
+  ["delete", "/scholarships/:missing", "admin"],
+  ["patch", "/scholarships/:scholarship/status", "admin"],
+  ["get", "/scholarships/:scholarship/revisions", "admin"],
+  ["patch", "/scholarships/:scholarship/deadline", "admin"],
+  ["get", "/scholarships/:scholarship", "public"],
+  ["get", "/scholarships/:scholarship/reviews", "public"],
+  ["get", "/top/scholarships", "public"],
+
+  ["get", "/jobs/deadlines", "cron"],
+  ["get", "/jobs/purge-users", "cron"],
+  ["get", "/jobs/email-outbox", "cron"],
+  ["get", "/jobs/saved-searches", "cron"],
+
+  ["post", "/create-checkout-session", "authenticated"],
+  ["patch", "/verify-payment", "public"],
+  ["get", "/payments", "authenticated"],
+  ["get", "/payments/:payment/receipt", "selfOrAdmin"],
+  ["post", "/dashboard/payments/:missing/refund", "admin"],
+  ["get", "/dashboard/payments/reconciliation", "admin"],
+
+  // signature checking is the webhook's only gate
+  ["post", "/stripe/webhook", "public", { status: 400 }],
+];
+
+const fill = (path) => path.replace(/:(\w+)/g, (match, key) => ids[key]);
+
+// Express route path -> regex matching the concrete URLs above
+const routePattern = (path) =>
+  new RegExp(`^${path.replace(/:\w+/g, "[^/]+")}$`);
+
+const signToken = (email, role) =>
+  jwt.sign({ email, name: email, role }, process.env.JWT_SECRET, {
+    expiresIn: 60 * 60,
+  });
+
+const call = (method, path, caller) => {
+  const req = request(app)[method](path);
+  return tokens[caller] ? req.set("Authorization", tokens[caller]) : req;
+};
+
+// The SSE route never ends on success, so only its status is read
+const callStream = async (path, caller) => {
+  const server = app.listen(0);
+  const controller = new AbortController();
+  try {
+    const { port } = server.address();
+    const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+      headers: tokens[caller] ? { Authorization: tokens[caller] } : {},
+      signal: controller.signal,
+    });
+    return res.status;
+  } finally {
+    controller.abort();
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+const seed = async (db) => {
+  const now = new Date();
+  const deadline = new Date(now.getTime() + 30 * 86400000);
+
+  await db.collection("users").insertMany(
+    Object.entries(EMAILS).map(([key, email]) => ({
+      name: key,
+      email,
+      role: key === "other" ? "student" : key,
+      createdAt: now,
+    }))
+  );
+
+  const scholarship = await db.collection("scholarships").insertOne({
+    scholarshipName: "Matrix Scholarship",
+    universityName: "Test University",
+    applicationFees: 10,
+    serviceCharge: 5,
+    applicationDeadline: deadline,
+    scholarshipPostDate: now,
+    status: "published",
+    publishedAt: now,
+    firstPublishedAt: now,
+  });
+  ids.scholarship = String(scholarship.insertedId);
+  ids.studentEmail = EMAILS.student;
+  ids.missing = String(new ObjectId());
+
+  const application = (userEmail, applicationStatus = "pending") => ({
+    scholarshipId: ids.scholarship,
+    scholarshipName: "Matrix Scholarship",
+    universityName: "Test University",
+    userEmail,
+    applicationStatus,
+    paymentStatus: "unpaid",
+    applicationDate: now,
+    statusHistory: [],
+  });
+  const applications = await db
+    .collection("applications")
+    .insertMany([
+      application(EMAILS.student),
+      application(EMAILS.student),
+      application(EMAILS.student),
+      application(EMAILS.student, "approved"),
+    ]);
+  [
+    ids.application,
+    ids.withdrawableApplication,
+    ids.deletableApplication,
+    ids.approvedApplication,
+  ] = Object.values(applications.insertedIds).map(String);
+
+  const review = (userEmail) => ({
+    applicationId: ids.application,
+    scholarshipId: ids.scholarship,
+    userEmail,
+    ratingPoint: 4,
+    reviewComment: "Helpful process",
+    moderationStatus: "visible",
+    reviewDate: now,
+  });
+  const reviews = await db
+    .collection("reviews")
+    .insertMany([review(EMAILS.student), review(EMAILS.student)]);
+  [ids.review, ids.deletableReview] = Object.values(reviews.insertedIds).map(
+    String
+  );
+
+  const payment = await db.collection("payments").insertOne({
+    applicationId: new ObjectId(ids.application),
+    userEmail: EMAILS.student,
+    stripeSessionId: "cs_test_matrix",
+    amount: 15,
+    currency: "usd",
+    status: "succeeded",
+    createdAt: now,
+  });
+  ids.payment = String(payment.insertedId);
+};
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  app = require("../index");
+
+  client = new MongoClient(mongod.getUri());
+  await seed(client.db("scholarstreamdb"));
+
+  ["student", "other", "moderator", "admin"].forEach((caller) => {
+    const role = caller === "other" ? "student" : caller;
+    tokens[caller] = `Bearer ${signToken(EMAILS[caller], role)}`;
+  });
+});
+
+after(async () => {
+  await client?.close();
+  await app?.locals.mongoClient.close();
+  await mongod?.stop();
+});
+
+describe("route coverage", () => {
+  test("every registered route is in the matrix", () => {
+    const uncovered = app.router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map((method) => ({
+          method,
+          path: layer.route.path,
+        }))
+      )
+      .filter(
+        (route) =>
+          !ROUTES.some(
+            ([method, path]) =>
+              method === route.method &&
+              routePattern(route.path).test(fill(path).split("?")[0])
+          )
+      )
+      .map((route) => `${route.method.toUpperCase()} ${route.path}`);
+
+    assert.deepEqual(uncovered, []);
+  });
+});
+
+describe("authorization matrix", () => {
+  for (const [method, path, access, options = {}] of ROUTES) {
+    describe(`${method.toUpperCase()} ${path}`, () => {
+      for (const caller of CALLERS) {
+        test(caller, async () => {
+          const url = fill(path);
+          const status = options.stream
+            ? await callStream(url, caller)
+            : (await call(method, url, caller)).status;
+
+          if (access === "cron") {
+            assert.equal(status, 401, `${caller} must not run cron jobs`);
+          } else if (options.status) {
+            assert.equal(status, options.status);
+          } else if (ACCESS[access][caller]) {
+            assert.ok(
+              status !== 401 && status !== 403,
+              `${caller} should be allowed, got ${status}`
+            );
+          } else {
+            assert.equal(status, caller === "anonymous" ? 401 : 403);
+          }
+        });
+      }
+    });
+  }
+
+  test("cron jobs run with the cron secret", async () => {
+    const res = await request(app)
+      .get("/jobs/deadlines")
+      .set("Authorization", `Bearer ${process.env.CRON_SECRET}`);
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("ownership", () => {
+  const forbidden = [
+    ["get", "/applications/:application"],
+    ["get", "/applications/:application/timeline"],
+    ["patch", "/applications/:application/withdraw"],
+    ["delete", "/applications/:application"],
+    ["get", "/applications?email=:studentEmail"],
+    ["get", "/reviews?email=:studentEmail"],
+    ["get", "/users/role?email=:studentEmail"],
+    ["get", "/users/:studentEmail"],
+    ["get", "/payments/:payment/receipt"],
+  ];
+
+  for (const [method, path] of forbidden) {
+    test(`another student gets 403 on ${method.toUpperCase()} ${path}`, async () => {
+      const res = await call(method, fill(path), "other");
+      assert.equal(res.status, 403);
+    });
+  }
+
+  test("another student can't touch the student's reviews", async () => {
+    const res = await call("patch", `/reviews/${ids.review}`, "other").send({
+      ratingPoint: 1,
+    });
+    assert.equal(res.status, 404);
+  });
+
+  test("another student can't review the student's application", async () => {
+    const res = await call("post", "/reviews", "other").send({
+      applicationId: ids.approvedApplication,
+      ratingPoint: 5,
+    });
+    assert.equal(res.status, 403);
+
+    const reviews = await client
+      .db("scholarstreamdb")
+      .collection("reviews")
+      .countDocuments({ applicationId: ids.approvedApplication });
+    assert.equal(reviews, 0);
+  });
+});
+
+describe("response fields", () => {
+  test("public reviews leave out the author's email and moderation data", async () => {
+    const res = await call("get", fill("/scholarships/:scholarship/reviews"));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.reviews.length > 0);
+    for (const review of res.body.reviews) {
+      assert.deepEqual(Object.keys(review).sort(), [
+        "_id",
+        "ratingPoint",
+        "reviewComment",
+        "reviewDate",
+        "scholarshipId",
+      ]);
+    }
+  });
+
+  test("user reads leave out the pending deletion code", async () => {
+    await client
+      .db("scholarstreamdb")
+      .collection("users")
+      .updateOne(
+        { email: ids.studentEmail },
+        { $set: { deletionRequest: { codeHash: "hash", attempts: 0 } } }
+      );
+
+    const own = await call("get", fill("/users/:studentEmail"), "student");
+    assert.equal(own.status, 200);
+    assert.equal(own.body.deletionRequest, undefined);
+
+    const list = await call("get", "/dashboard/users?limit=100", "admin");
+    assert.equal(list.status, 200);
+    assert.ok(list.body.users.some((user) => user.email === ids.studentEmail));
+    assert.ok(list.body.users.every((user) => !user.deletionRequest));
+  });
+});
@@ -0,0 +1,331 @@
+// Signed Stripe events posted to /stripe/webhook, built from the fixtures
+// that scripts/send-stripe-event.js sends by hand.
+const { after, before, describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { MongoClient, ObjectId } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.STRIPE_SECRET_KEY = "sk_test_webhook";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_webhook";
+process.env.EMAIL_TRANSPORT = "memory";
+
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+let mongod;
+let client;
+let db;
+let app;
+
+// A fixture event for the application, with a fresh event id
+const fixtureEvent = (type, applicationId, object = {}) => {
+  const event = JSON.parse(
+    fs
+      .readFileSync(
+        path.join(__dirname, "..", "fixtures", "stripe", `${type}.json`),
+        "utf8"
+      )
+      .replace(/APPLICATION_ID/g, applicationId)
+  );
+  event.id = `evt_test_${crypto.randomBytes(12).toString("hex")}`;
+  Object.assign(event.data.object, object);
+  return event;
+};
+
+const send = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post("/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set(
+      "Stripe-Signature",
+      stripe.webhooks.generateTestHeaderString({ payload, secret })
+    )
+    .send(payload);
+};
+
+// An application waiting on checkout, with its pending ledger entry
+const seedCheckout = async () => {
+  const now = new Date();
+  const { insertedId } = await db.collection("applications").insertOne({
+    scholarshipName: "Webhook Scholarship",
+    universityName: "Test University",
+    userEmail: "student@example.com",
+    applicationStatus: "pending",
+    paymentStatus: "pending",
+    applicationDate: now,
+  });
+  const sessionId = `cs_test_${crypto.randomBytes(8).toString("hex")}`;
+  const paymentIntent = `pi_test_${crypto.randomBytes(8).toString("hex")}`;
+  await db.collection("payments").insertOne({
+    applicationId: insertedId,
+    userEmail: "student@example.com",
+    stripeSessionId: sessionId,
+    amount: 50,
+    currency: "usd",
+    amountRefunded: 0,
+    refunds: [],
+    status: "pending",
+    createdAt: now,
+  });
+  return {
+    applicationId: String(insertedId),
+    session: { id: sessionId, payment_intent: paymentIntent },
+    paymentIntent,
+  };
+};
+
+const findState = async ({ applicationId, session }) => ({
+  application: await db
+    .collection("applications")
+    .findOne({ _id: new ObjectId(applicationId) }),
+  payment: await db
+    .collection("payments")
+    .findOne({ stripeSessionId: session.id }),
+});
+
+// Notifications are fire and forget, so poll briefly for them
+const waitForNotification = async (filter) => {
+  for (let i = 0; i < 50; i++) {
+    const notification = await db.collection("notifications").findOne(filter);
+    if (notification) return notification;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return null;
+};
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = mongod.getUri();
+  app = require("../index");
+
+  client = new MongoClient(mongod.getUri());
+  db = client.db("scholarstreamdb");
+});
+
+after(async () => {
+  await client?.close();
+  await app?.locals.mongoClient.close();
+  await mongod?.stop();
+});
+
+describe("stripe webhook", () => {
+  test("rejects events with a bad signature", async () => {
+    const { applicationId } = await seedCheckout();
+    const event = fixtureEvent("checkout.session.completed", applicationId);
+
+    const res = await send(event, "whsec_wrong");
+    assert.equal(res.status, 400);
+    assert.equal(await db.collection("stripeEvents").countDocuments(), 0);
+  });
+
+  test("a completed checkout pays the application and the ledger", async () => {
+    const checkout = await seedCheckout();
+    const event = fixtureEvent(
+      "checkout.session.completed",
+      checkout.applicationId,
+      checkout.session
+    );
+
+    const res = await send(event);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true });
+
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "paid");
+    assert.equal(application.stripeSessionId, checkout.session.id);
+    assert.equal(payment.status, "succeeded");
+    assert.equal(payment.amount, 50);
+    assert.ok(payment.paidAt);
+  });
+
+  test("a redelivered event is only processed once", async () => {
+    const checkout = await seedCheckout();
+    const event = fixtureEvent(
+      "checkout.session.completed",
+      checkout.applicationId,
+      checkout.session
+    );
+
+    await send(event);
+    const { application: first } = await findState(checkout);
+    const res = await send(event);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, duplicate: true });
+    const { application } = await findState(checkout);
+    assert.deepEqual(application.paidAt, first.paidAt);
+    assert.equal(
+      await db.collection("stripeEvents").countDocuments({ _id: event.id }),
+      1
+    );
+  });
+
+  test("a failure delivered after the payment doesn't unpay it", async () => {
+    const checkout = await seedCheckout();
+    await send(
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+    const res = await send(
+      fixtureEvent("payment_intent.payment_failed", checkout.applicationId, {
+        id: checkout.paymentIntent,
+      })
+    );
+
+    assert.equal(res.status, 200);
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "paid");
+    assert.equal(application.paymentError, undefined);
+    assert.equal(payment.status, "succeeded");
+  });
+
+  test("an expiry delivered after the payment doesn't unpay it", async () => {
+    const checkout = await seedCheckout();
+    await send(
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+    await send(
+      fixtureEvent(
+        "checkout.session.expired",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "paid");
+    assert.equal(payment.status, "succeeded");
+  });
+
+  test("an expired checkout frees the application and tells the applicant", async () => {
+    const checkout = await seedCheckout();
+    const res = await send(
+      fixtureEvent(
+        "checkout.session.expired",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+
+    assert.equal(res.status, 200);
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "unpaid");
+    assert.equal(application.checkoutAttempt, 1);
+    assert.equal(payment.status, "expired");
+
+    const notification = await waitForNotification({
+      type: "paymentStatusChanged",
+      "data.applicationId": checkout.applicationId,
+    });
+    assert.equal(notification?.userEmail, "student@example.com");
+    assert.equal(notification.data.paymentStatus, "unpaid");
+  });
+
+  test("a payment that arrives after a failure still pays", async () => {
+    const checkout = await seedCheckout();
+    await send(
+      fixtureEvent("payment_intent.payment_failed", checkout.applicationId, {
+        id: checkout.paymentIntent,
+      })
+    );
+    const failed = await findState(checkout);
+    assert.equal(failed.application.paymentStatus, "failed");
+    assert.equal(failed.payment.status, "failed");
+
+    await send(
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "paid");
+    assert.equal(payment.status, "succeeded");
+  });
+
+  test("a refund updates the ledger and the application", async () => {
+    const checkout = await seedCheckout();
+    await send(
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+    await send(
+      fixtureEvent("charge.refunded", checkout.applicationId, {
+        payment_intent: checkout.paymentIntent,
+        amount_refunded: 2000,
+      })
+    );
+
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "partially_refunded");
+    assert.equal(application.refundedAmount, 20);
+    assert.equal(payment.status, "partially_refunded");
+    assert.equal(payment.amountRefunded, 20);
+  });
+
+  test("a completed checkout sent again after a refund doesn't undo it", async () => {
+    const checkout = await seedCheckout();
+    const completed = () =>
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      );
+    await send(completed());
+    const { application: paid } = await findState(checkout);
+    await send(
+      fixtureEvent("charge.refunded", checkout.applicationId, {
+        payment_intent: checkout.paymentIntent,
+      })
+    );
+    await send(completed());
+
+    const { application, payment } = await findState(checkout);
+    assert.equal(application.paymentStatus, "refunded");
+    assert.deepEqual(application.paidAt, paid.paidAt);
+    assert.equal(payment.status, "refunded");
+  });
+
+  test("a late expiry doesn't reopen a refunded application", async () => {
+    const checkout = await seedCheckout();
+    await send(
+      fixtureEvent(
+        "checkout.session.completed",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+    await send(
+      fixtureEvent("charge.refunded", checkout.applicationId, {
+        payment_intent: checkout.paymentIntent,
+      })
+    );
+    await send(
+      fixtureEvent(
+        "checkout.session.expired",
+        checkout.applicationId,
+        checkout.session
+      )
+    );
+
+    const { application } = await findState(checkout);
+    assert.equal(application.paymentStatus, "refunded");
+    assert.equal(application.checkoutAttempt, undefined);
+  });
+});